@@ -0,0 +1,98 @@
+// sw.js - BookVerse service worker: precaches the app shell and keeps viewed books and covers available offline
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `bookverse-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `bookverse-data-${CACHE_VERSION}`;
+const COVER_CACHE = `bookverse-covers-${CACHE_VERSION}`;
+const MAX_COVERS = 300;
+const MAX_DATA_RESPONSES = 500;
+
+const FONT_AWESOME = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0';
+const APP_SHELL = [
+    './',
+    './index.html',
+    './script.js',
+    './styles.css',
+    `${FONT_AWESOME}/css/all.min.css`,
+    `${FONT_AWESOME}/webfonts/fa-solid-900.woff2`,
+    `${FONT_AWESOME}/webfonts/fa-regular-400.woff2`
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, DATA_CACHE, COVER_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('bookverse-') && !currentCaches.includes(name))
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.hostname === 'covers.openlibrary.org') {
+        // Covers never change for a given ID, so the cached copy wins
+        event.respondWith(cacheFirst(request, COVER_CACHE, MAX_COVERS));
+    } else if (url.hostname === 'openlibrary.org') {
+        event.respondWith(networkFirst(request, DATA_CACHE, MAX_DATA_RESPONSES));
+    } else if (url.hostname === 'cdnjs.cloudflare.com') {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    } else if (url.origin === self.location.origin) {
+        // Prefer fresh app files so deployments show up, fall back to the shell when offline
+        event.respondWith(networkFirst(request, SHELL_CACHE).catch(() => {
+            if (request.mode === 'navigate') return caches.match('./index.html');
+            throw new Error(`Offline and not cached: ${request.url}`);
+        }));
+    }
+    // Everything else (AI providers, archive.org) goes straight to the network
+});
+
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque (no-cors) image responses report status 0 but are still usable
+    if (response.ok || response.type === 'opaque') {
+        await putAndTrim(cacheName, request, response.clone(), maxEntries);
+    }
+    return response;
+}
+
+async function networkFirst(request, cacheName, maxEntries) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await putAndTrim(cacheName, request, response.clone(), maxEntries);
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreVary: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function putAndTrim(cacheName, request, response, maxEntries) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+    if (!maxEntries) return;
+
+    // Cache keys come back in insertion order, so the oldest entries go first
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
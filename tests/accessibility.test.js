@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { loadApp } = require('./helpers/load-app');
+
+// jsdom doesn't render, so contrast can't be measured here
+const AXE_OPTIONS = { rules: { 'color-contrast': { enabled: false } } };
+
+async function runAxe(window, context) {
+    if (!window.axe) window.eval(fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8'));
+    const { violations } = await window.axe.run(context, AXE_OPTIONS);
+    return Array.from(violations, violation => `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+async function expectAccessibleDialog(window, modal) {
+    assert.strictEqual(modal.style.display, 'block', `#${modal.id} should be open`);
+    const dialog = modal.querySelector('[role="dialog"]');
+    assert.strictEqual(dialog.getAttribute('aria-modal'), 'true');
+    assert.ok(window.document.getElementById(dialog.getAttribute('aria-labelledby')), `#${modal.id} needs a label`);
+    assert.deepStrictEqual(await runAxe(window, modal), []);
+}
+
+test('the book grid has no axe violations', async () => {
+    const { window, document } = await loadApp();
+    assert.ok(document.querySelectorAll('#books-container .book-card').length > 0);
+    assert.deepStrictEqual(await runAxe(window, document.getElementById('books')), []);
+});
+
+test('every dialog has no axe violations while open', async (t) => {
+    const { window, document, app } = await loadApp();
+    const firstBookId = () => document.querySelector('#books-container .view-book-btn').getAttribute('data-id');
+
+    await t.test('book details', async () => {
+        await app.openBookModal(firstBookId());
+        await expectAccessibleDialog(window, app.bookModal);
+    });
+
+    await t.test('reader', async () => {
+        app.openDialog(app.readerModal);
+        await expectAccessibleDialog(window, app.readerModal);
+        app.closeDialog(app.readerModal);
+        app.closeModal();
+    });
+
+    await t.test('author', async () => {
+        await app.openAuthorView('OL1A');
+        await expectAccessibleDialog(window, app.authorModal);
+        app.closeAuthorView();
+    });
+
+    await t.test('subject', async () => {
+        await app.openSubjectView('Fantasy');
+        await expectAccessibleDialog(window, app.subjectModal);
+        app.closeSubjectView();
+    });
+
+    await t.test('comparison', async () => {
+        const ids = [...document.querySelectorAll('#books-container .view-book-btn')].slice(0, 2).map(button => button.getAttribute('data-id'));
+        await app.openCompareView(ids);
+        await expectAccessibleDialog(window, app.compareModal);
+        app.closeCompareView();
+    });
+
+    await t.test('import review', async () => {
+        app.openDialog(app.importModal);
+        await expectAccessibleDialog(window, app.importModal);
+        app.closeDialog(app.importModal);
+    });
+
+    await t.test('settings', async () => {
+        app.openSettings();
+        await expectAccessibleDialog(window, app.settingsModal);
+        app.closeDialog(app.settingsModal);
+    });
+});
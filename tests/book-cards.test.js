@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app');
+
+const PAYLOADS = [
+    '<img src=x onerror="window.__injected = true">',
+    '"><script>window.__injected = true</script>',
+    '\' onmouseover=\'window.__injected = true'
+];
+
+// What createBookCard itself builds; anything else in a card came from the data
+const CARD_TAGS = new Set(['DIV', 'H3', 'P', 'BUTTON', 'I', 'SPAN', 'IMG']);
+const CARD_ATTRIBUTES = new Set(['class', 'data-id', 'src', 'alt', 'style', 'tabindex', 'role', 'aria-label']);
+
+test('malicious titles, authors and ids are rendered as text, not markup', async () => {
+    const { window, document, app } = await loadApp();
+    const books = PAYLOADS.map((payload, index) => ({
+        id: `/works/OL${index}W${payload}`,
+        title: payload,
+        authors: [payload],
+        publishedDate: payload,
+        thumbnail: `https://covers.openlibrary.org/b/id/${index}-M.jpg${payload}`
+    }));
+
+    app.displayBooks(books);
+
+    const cards = [...document.querySelectorAll('#books-container .book-card')];
+    assert.strictEqual(cards.length, books.length);
+    cards.forEach((card, index) => {
+        const payload = PAYLOADS[index];
+        assert.strictEqual(card.querySelector('.book-title').textContent, payload);
+        assert.strictEqual(card.querySelector('.book-author').textContent, `by ${payload}`);
+        assert.strictEqual(card.querySelector('.book-year').textContent, `Published: ${payload}`);
+        assert.strictEqual(card.querySelector('.view-book-btn').getAttribute('data-id'), books[index].id);
+        assert.strictEqual(card.querySelector('img').getAttribute('src'), books[index].thumbnail);
+        assert.strictEqual(card.querySelectorAll('img').length, 1);
+
+        card.querySelectorAll('*').forEach(element => {
+            assert.ok(CARD_TAGS.has(element.tagName), `unexpected <${element.tagName.toLowerCase()}> in card ${index}`);
+            [...element.attributes].forEach(attribute => {
+                assert.ok(CARD_ATTRIBUTES.has(attribute.name), `unexpected ${attribute.name} attribute in card ${index}`);
+            });
+        });
+    });
+    assert.strictEqual(window.__injected, undefined);
+});
+
+test('malicious book data is rendered as text in the book modal', async () => {
+    const { window, document, app } = await loadApp();
+    const [payload] = PAYLOADS;
+
+    app.updateModalContent({
+        id: '/works/OL1W',
+        title: payload,
+        authors: [payload],
+        authorDetails: [{ id: '/authors/OL1A', name: payload }],
+        description: payload,
+        publishedDate: payload,
+        categories: [payload]
+    });
+
+    const modal = document.getElementById('book-modal');
+    assert.strictEqual(document.getElementById('modal-book-title').textContent, payload);
+    assert.strictEqual(document.getElementById('modal-book-author').textContent, `by ${payload}`);
+    assert.strictEqual(document.getElementById('modal-book-description').textContent, payload);
+    assert.strictEqual(document.getElementById('modal-book-year').textContent, payload);
+    assert.ok(document.getElementById('modal-book-genre').textContent.includes(payload));
+    assert.strictEqual(modal.querySelectorAll('script, img[onerror]').length, 0);
+    assert.strictEqual(window.__injected, undefined);
+});
+
+test('malicious names are shown as text in notifications', async () => {
+    const { window, document, app } = await loadApp();
+
+    for (const payload of PAYLOADS) {
+        app.newShelfInput.value = payload;
+        await app.handleCreateShelf({ preventDefault: () => {} });
+    }
+
+    // The startup search posts its own notification first
+    const notifications = [...document.querySelectorAll('.notification')].slice(-PAYLOADS.length);
+    assert.deepStrictEqual(notifications.map(notification => notification.textContent), PAYLOADS.map(payload => `Created shelf "${payload}"`));
+    notifications.forEach(notification => assert.strictEqual(notification.children.length, 0));
+    assert.strictEqual(window.__injected, undefined);
+});
@@ -0,0 +1,76 @@
+// Loads index.html and script.js into jsdom with OpenLibrary stubbed out, for tests.
+// The app itself has no build step, so this is the whole test environment.
+require('fake-indexeddb/auto');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// A tiny OpenLibrary: two works by one author under one subject. Anything else answers with {}.
+const WORKS = [
+    { key: '/works/OL1W', title: 'The First Book', author_name: ['Ann Author'], first_publish_year: 1999, cover_i: 1 },
+    { key: '/works/OL2W', title: 'The Second Book', author_name: ['Ann Author'], first_publish_year: 2004, cover_i: 2 }
+];
+const ROUTES = [
+    [/search\.json/, () => ({ numFound: WORKS.length, docs: WORKS })],
+    [/subjects\//, () => ({
+        name: 'fantasy',
+        work_count: WORKS.length,
+        works: WORKS.map(work => ({ key: work.key, title: work.title, authors: [{ key: '/authors/OL1A', name: 'Ann Author' }], cover_id: work.cover_i }))
+    })],
+    [/authors\/\w+\/works\.json/, () => ({ size: WORKS.length, entries: WORKS.map(work => ({ key: work.key, title: work.title })) })],
+    [/works\/(OL\d+W)\.json/, (url) => {
+        const work = WORKS.find(candidate => url.includes(candidate.key)) || WORKS[0];
+        return { key: work.key, title: work.title, subjects: ['Fantasy', 'Magic'], authors: [{ author: { key: '/authors/OL1A' } }], covers: [work.cover_i] };
+    }],
+    [/authors\/\w+\.json/, () => ({ name: 'Ann Author', birth_date: '1950', bio: 'Writes about magic.' })]
+];
+
+async function stubFetch(url) {
+    const route = ROUTES.find(([pattern]) => pattern.test(String(url)));
+    const body = route ? route[1](String(url)) : {};
+    return {
+        ok: true,
+        status: 200,
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+// Resolves to { window, document, app, get } once BookVerseApp has initialised.
+// get(name) looks up one of script.js's top-level classes.
+async function loadApp() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script src="script.js"><\/script>/, '');
+    const dom = new JSDOM(html, {
+        url: 'https://example.org/ai-book-explore/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    Object.assign(window, {
+        indexedDB,
+        IDBKeyRange,
+        fetch: stubFetch,
+        scrollTo: () => {},
+        console: { ...console, log: () => {} }
+    });
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+
+    window.eval(`${fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8')}\n;window.__lookup = (name) => eval(name);`);
+    const get = (name) => window.__lookup(name);
+
+    const app = await new Promise(resolve => {
+        const init = get('BookVerseApp').prototype.init;
+        get('BookVerseApp').prototype.init = function () {
+            init.call(this);
+            resolve(this);
+        };
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    return { window, document: window.document, app, get };
+}
+
+module.exports = { loadApp };